@@ -1,5 +1,6 @@
 import { CommonModule } from '@angular/common';
 import { Component } from '@angular/core';
+import { NgAutoPositionResolvedPlacement } from './ng-auto-position/compute-position';
 import { NgAutoPositionElementDirective } from './ng-auto-position/ng-auto-position.directive';
 
 @Component({
@@ -20,7 +21,7 @@ export class AppComponent {
   showBottomExample = false;
   showLeftExample = false;
   showRightExample = false;
-  menuPlacement: 'top' | 'bottom' | 'left' | 'right' | null = null;
+  menuPlacement: NgAutoPositionResolvedPlacement | null = null;
 
   menuItems = [
     'Account settings',
@@ -0,0 +1,266 @@
+import { NgAutoPositionRect, computePosition } from './compute-position';
+
+describe('computePosition', () => {
+  const viewport: NgAutoPositionRect = {
+    top: 0,
+    left: 0,
+    width: 1000,
+    height: 800,
+  };
+  const overlay: NgAutoPositionRect = {
+    top: 0,
+    left: 0,
+    width: 200,
+    height: 100,
+  };
+
+  const ref = (top: number, left: number, width = 100, height = 40) => ({
+    top,
+    left,
+    width,
+    height,
+  });
+
+  describe('auto placement', () => {
+    it('opens below when there is room', () => {
+      const result = computePosition(ref(100, 100), overlay, viewport, {
+        offset: 10,
+      });
+
+      expect(result.placement).toBe('bottom-start');
+      expect(result.top).toBe(150);
+      expect(result.left).toBe(100);
+    });
+
+    it('opens above when there is no room below', () => {
+      const result = computePosition(ref(700, 100), overlay, viewport, {
+        offset: 10,
+      });
+
+      expect(result.placement).toBe('top-start');
+      expect(result.top).toBe(590);
+    });
+  });
+
+  describe('flip', () => {
+    it('flips a single placement to the opposite side', () => {
+      const result = computePosition(ref(100, 850), overlay, viewport, {
+        placement: 'right',
+        offset: 10,
+      });
+
+      expect(result.placement).toBe('left-start');
+      expect(result.left).toBe(640);
+    });
+
+    it('keeps the placement and clamps when flip is false', () => {
+      const result = computePosition(ref(100, 850), overlay, viewport, {
+        placement: 'right',
+        flip: false,
+        offset: 10,
+        padding: 0,
+      });
+
+      expect(result.placement).toBe('right-start');
+      expect(result.left).toBe(800);
+    });
+  });
+
+  describe('fallback list', () => {
+    it('uses the first placement that fits', () => {
+      const result = computePosition(ref(100, 850), overlay, viewport, {
+        placement: ['right-start', 'left-start', 'bottom'],
+        offset: 10,
+      });
+
+      expect(result.placement).toBe('left-start');
+    });
+
+    it('moves on when neither side fits', () => {
+      const wide = { ...overlay, width: 500 };
+      const result = computePosition(ref(100, 450), wide, viewport, {
+        placement: ['right-start', 'left-start', 'bottom'],
+        offset: 10,
+      });
+
+      expect(result.placement).toBe('bottom-start');
+    });
+
+    it('picks the least overflowing placement when none fits', () => {
+      const tall = { ...overlay, height: 500 };
+      const result = computePosition(ref(300, 100), tall, viewport, {
+        placement: ['top', 'bottom'],
+        offset: 10,
+      });
+
+      // top overflows by 214, bottom by 54
+      expect(result.placement).toBe('bottom-start');
+    });
+
+    it('falls back to bottom-start for an empty list', () => {
+      const result = computePosition(ref(100, 100), overlay, viewport, {
+        placement: [],
+      });
+
+      expect(result.placement).toBe('bottom-start');
+    });
+  });
+
+  describe('alignment', () => {
+    it('aligns start, center and end on top/bottom', () => {
+      const options = { offset: 10, padding: 0 };
+      const reference = ref(100, 300);
+
+      expect(
+        computePosition(reference, overlay, viewport, {
+          ...options,
+          placement: 'bottom-start',
+        }).left,
+      ).toBe(300);
+      expect(
+        computePosition(reference, overlay, viewport, {
+          ...options,
+          placement: 'bottom-center',
+        }).left,
+      ).toBe(250);
+      expect(
+        computePosition(reference, overlay, viewport, {
+          ...options,
+          placement: 'bottom-end',
+        }).left,
+      ).toBe(200);
+    });
+
+    it('aligns start, center and end on left/right', () => {
+      const options = { offset: 10, padding: 0 };
+      const reference = ref(300, 300, 100, 200);
+
+      expect(
+        computePosition(reference, overlay, viewport, {
+          ...options,
+          placement: 'right-start',
+        }).top,
+      ).toBe(300);
+      expect(
+        computePosition(reference, overlay, viewport, {
+          ...options,
+          placement: 'right-center',
+        }).top,
+      ).toBe(350);
+      expect(
+        computePosition(reference, overlay, viewport, {
+          ...options,
+          placement: 'right-end',
+        }).top,
+      ).toBe(400);
+    });
+  });
+
+  describe('clamping', () => {
+    it('clamps to the viewport while the reference is visible', () => {
+      const result = computePosition(ref(100, 950, 40), overlay, viewport, {
+        padding: 4,
+      });
+
+      expect(result.referenceHidden).toBeFalse();
+      expect(result.left).toBe(796);
+    });
+
+    it('follows the reference without clamping once it is fully out', () => {
+      const result = computePosition(ref(-100, 100), overlay, viewport, {
+        offset: 10,
+        padding: 4,
+      });
+
+      expect(result.referenceHidden).toBeTrue();
+      expect(result.placement).toBe('bottom-start');
+      expect(result.top).toBe(-50);
+    });
+  });
+
+  describe('available size', () => {
+    const options = { offset: 10, padding: 4 };
+
+    it('measures below the reference', () => {
+      const result = computePosition(ref(100, 300), overlay, viewport, {
+        ...options,
+        placement: 'bottom',
+      });
+
+      expect(result.availableHeight).toBe(646);
+      expect(result.availableWidth).toBe(992);
+      expect(result.maxHeight).toBe(result.availableHeight);
+    });
+
+    it('measures above the reference', () => {
+      const result = computePosition(ref(200, 300), overlay, viewport, {
+        ...options,
+        placement: 'top',
+      });
+
+      expect(result.availableHeight).toBe(186);
+      expect(result.availableWidth).toBe(992);
+    });
+
+    it('measures left of the reference', () => {
+      const result = computePosition(ref(100, 300), overlay, viewport, {
+        ...options,
+        placement: 'left',
+      });
+
+      expect(result.availableWidth).toBe(286);
+      expect(result.availableHeight).toBe(792);
+    });
+
+    it('measures right of the reference', () => {
+      const result = computePosition(ref(100, 300), overlay, viewport, {
+        ...options,
+        placement: 'right',
+      });
+
+      expect(result.availableWidth).toBe(586);
+      expect(result.availableHeight).toBe(792);
+    });
+  });
+
+  describe('arrow', () => {
+    const arrow = { width: 10, height: 10 };
+
+    it('centers the arrow on the reference', () => {
+      const result = computePosition(ref(100, 100), overlay, viewport, {
+        arrow,
+        arrowPadding: 8,
+      });
+
+      expect(result.arrowOffset).toBe(45);
+    });
+
+    it('clamps the arrow to the start padding', () => {
+      const result = computePosition(ref(100, 0, 10), overlay, viewport, {
+        arrow,
+        arrowPadding: 8,
+        padding: 4,
+      });
+
+      expect(result.left).toBe(4);
+      expect(result.arrowOffset).toBe(8);
+    });
+
+    it('clamps the arrow to the end padding', () => {
+      const result = computePosition(ref(100, 990, 10), overlay, viewport, {
+        arrow,
+        arrowPadding: 8,
+        padding: 4,
+      });
+
+      expect(result.left).toBe(796);
+      expect(result.arrowOffset).toBe(182);
+    });
+
+    it('is null without an arrow', () => {
+      const result = computePosition(ref(100, 100), overlay, viewport);
+
+      expect(result.arrowOffset).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,384 @@
+/**
+ * Pure positioning math.
+ *
+ * Works on plain rectangles in viewport coordinates, so it can be used
+ * (and tested) without a DOM. `NgAutoPositionService` measures elements
+ * and feeds them in here.
+ */
+
+/** Side of the reference element the overlay is placed on. */
+export type NgAutoPositionSide = 'top' | 'bottom' | 'left' | 'right';
+
+/** Alignment of the overlay along the chosen side. */
+export type NgAutoPositionAlignment = 'start' | 'center' | 'end';
+
+/**
+ * A side with an optional alignment, e.g. `bottom-end` or `right-start`.
+ * A bare side is aligned to `start`.
+ */
+export type NgAutoPositionPlacement =
+  | NgAutoPositionSide
+  | `${NgAutoPositionSide}-${NgAutoPositionAlignment}`;
+
+/** Placement as resolved by the directive (always includes the alignment). */
+export type NgAutoPositionResolvedPlacement =
+  `${NgAutoPositionSide}-${NgAutoPositionAlignment}`;
+
+/** Minimal rectangle shape. `DOMRect` satisfies it. */
+export interface NgAutoPositionRect {
+  top: number;
+  left: number;
+  width: number;
+  height: number;
+}
+
+/** Space available to the overlay on the chosen side (px). */
+export interface NgAutoPositionAvailableSize {
+  width: number;
+  height: number;
+}
+
+/** Options for `computePosition`. */
+export interface NgAutoPositionOptions {
+  /**
+   * 'auto', a single placement (flips when `flip` is set) or
+   * an ordered fallback list. Default: 'auto'
+   */
+  placement?: 'auto' | NgAutoPositionPlacement | NgAutoPositionPlacement[];
+
+  /** Flip a single placement to the opposite side. Default: true */
+  flip?: boolean;
+
+  /** Gap between reference and overlay (px). Default: 5 */
+  offset?: number;
+
+  /** Minimum padding from the viewport edges when clamping. Default: 4 */
+  padding?: number;
+
+  /** Arrow size, if the overlay has an arrow. */
+  arrow?: { width: number; height: number } | null;
+
+  /** Minimum distance between the arrow and the overlay corners. Default: 8 */
+  arrowPadding?: number;
+}
+
+/** Result of `computePosition`. */
+export interface NgAutoPositionResult {
+  /** Overlay top in viewport coordinates (px). */
+  top: number;
+
+  /** Overlay left in viewport coordinates (px). */
+  left: number;
+
+  /** Resolved placement. */
+  placement: NgAutoPositionResolvedPlacement;
+
+  /** Width available to the overlay on the chosen side (px). */
+  availableWidth: number;
+
+  /** Height available to the overlay on the chosen side (px). */
+  availableHeight: number;
+
+  /** Max height for the overlay on the chosen side (same as availableHeight). */
+  maxHeight: number;
+
+  /** Arrow offset along the overlay edge (px), or null without an arrow. */
+  arrowOffset: number | null;
+
+  /** True when the reference is fully outside the viewport (no clamping). */
+  referenceHidden: boolean;
+}
+
+const OPPOSITE_SIDE: Record<NgAutoPositionSide, NgAutoPositionSide> = {
+  top: 'bottom',
+  bottom: 'top',
+  left: 'right',
+  right: 'left',
+};
+
+/**
+ * Computes the overlay position for the given rectangles.
+ *
+ * Candidates are tried in order; the first that fits the viewport wins,
+ * otherwise the one that overflows it the least. While the reference is
+ * at least partially visible the result is clamped to the viewport;
+ * once it is fully out, the overlay follows it off-screen.
+ */
+export function computePosition(
+  referenceRect: NgAutoPositionRect,
+  overlayRect: NgAutoPositionRect,
+  viewport: NgAutoPositionRect,
+  options: NgAutoPositionOptions = {},
+): NgAutoPositionResult {
+  const padding = Math.max(0, options.padding ?? 4);
+  const offset = options.offset ?? 5;
+
+  const viewportRight = viewport.left + viewport.width;
+  const viewportBottom = viewport.top + viewport.height;
+
+  let best: {
+    placement: NgAutoPositionResolvedPlacement;
+    top: number;
+    left: number;
+  } | null = null;
+  let bestOverflow = Infinity;
+
+  for (const candidate of getPlacementCandidates(options)) {
+    const { top, left } = computeCoords(
+      candidate,
+      referenceRect,
+      overlayRect,
+      offset,
+    );
+    const overflow =
+      Math.max(0, viewport.top + padding - top) +
+      Math.max(0, top + overlayRect.height - (viewportBottom - padding)) +
+      Math.max(0, viewport.left + padding - left) +
+      Math.max(0, left + overlayRect.width - (viewportRight - padding));
+
+    if (overflow < bestOverflow) {
+      best = { placement: candidate, top, left };
+      bestOverflow = overflow;
+    }
+    if (overflow === 0) break;
+  }
+
+  // getPlacementCandidates never returns an empty list
+  let { top, left, placement } = best!;
+  const side = getSide(placement);
+
+  const referenceHidden = isRectFullyOut(referenceRect, viewport);
+
+  if (!referenceHidden) {
+    // ✅ NORMAL MODE (reference at least partially visible)
+    // Clamp to viewport
+    top = Math.min(top, viewportBottom - overlayRect.height - padding);
+    top = Math.max(top, viewport.top + padding);
+    left = Math.min(left, viewportRight - overlayRect.width - padding);
+    left = Math.max(left, viewport.left + padding);
+  }
+  // else: ✅ FOLLOW MODE (reference fully out of viewport)
+  // do NOT clamp → let popup go offscreen naturally
+
+  const { width: availableWidth, height: availableHeight } =
+    computeAvailableSize(side, referenceRect, viewport, offset, padding);
+
+  const arrowOffset = options.arrow
+    ? computeArrowOffset(
+        side,
+        referenceRect,
+        viewport,
+        { top, left, width: overlayRect.width, height: overlayRect.height },
+        options.arrow,
+        Math.max(0, options.arrowPadding ?? 8),
+      )
+    : null;
+
+  return {
+    top,
+    left,
+    placement,
+    availableWidth,
+    availableHeight,
+    maxHeight: availableHeight,
+    arrowOffset,
+    referenceHidden,
+  };
+}
+
+/**
+ * Returns the side part of a placement.
+ */
+export function getSide(
+  placement: NgAutoPositionPlacement,
+): NgAutoPositionSide {
+  return placement.split('-')[0] as NgAutoPositionSide;
+}
+
+/**
+ * Returns the side opposite to the given one.
+ */
+export function getOppositeSide(side: NgAutoPositionSide): NgAutoPositionSide {
+  return OPPOSITE_SIDE[side];
+}
+
+/**
+ * Returns true if the rectangle is completely outside the viewport.
+ * Even 1px visible = considered visible.
+ */
+export function isRectFullyOut(
+  rect: NgAutoPositionRect,
+  viewport: NgAutoPositionRect,
+): boolean {
+  return (
+    rect.top + rect.height <= viewport.top || // above viewport
+    rect.top >= viewport.top + viewport.height || // below viewport
+    rect.left + rect.width <= viewport.left || // left of viewport
+    rect.left >= viewport.left + viewport.width // right of viewport
+  );
+}
+
+/**
+ * Expands the `placement` option into the ordered list of
+ * fully-qualified placements to try.
+ */
+function getPlacementCandidates(
+  options: NgAutoPositionOptions,
+): NgAutoPositionResolvedPlacement[] {
+  const placement = options.placement ?? 'auto';
+
+  if (Array.isArray(placement)) {
+    return placement.length
+      ? placement.map(normalizePlacement)
+      : ['bottom-start'];
+  }
+
+  const preferred = normalizePlacement(
+    placement === 'auto' ? 'bottom' : placement,
+  );
+  if (placement !== 'auto' && options.flip === false) return [preferred];
+
+  const [side, alignment] = preferred.split('-') as [
+    NgAutoPositionSide,
+    NgAutoPositionAlignment,
+  ];
+  return [preferred, `${OPPOSITE_SIDE[side]}-${alignment}`];
+}
+
+/**
+ * Adds the default `start` alignment to a bare side.
+ */
+function normalizePlacement(
+  placement: NgAutoPositionPlacement,
+): NgAutoPositionResolvedPlacement {
+  return placement.includes('-')
+    ? (placement as NgAutoPositionResolvedPlacement)
+    : `${placement as NgAutoPositionSide}-start`;
+}
+
+/**
+ * Unclamped overlay coordinates for a given placement.
+ */
+function computeCoords(
+  placement: NgAutoPositionResolvedPlacement,
+  refRect: NgAutoPositionRect,
+  overlayRect: NgAutoPositionRect,
+  offset: number,
+): { top: number; left: number } {
+  const [side, alignment] = placement.split('-') as [
+    NgAutoPositionSide,
+    NgAutoPositionAlignment,
+  ];
+  const refRight = refRect.left + refRect.width;
+  const refBottom = refRect.top + refRect.height;
+
+  if (side === 'top' || side === 'bottom') {
+    const top =
+      side === 'top'
+        ? refRect.top - overlayRect.height - offset
+        : refBottom + offset;
+    const left =
+      alignment === 'start'
+        ? refRect.left
+        : alignment === 'end'
+          ? refRight - overlayRect.width
+          : refRect.left + (refRect.width - overlayRect.width) / 2;
+    return { top, left };
+  }
+
+  const left =
+    side === 'left'
+      ? refRect.left - overlayRect.width - offset
+      : refRight + offset;
+  const top =
+    alignment === 'start'
+      ? refRect.top
+      : alignment === 'end'
+        ? refBottom - overlayRect.height
+        : refRect.top + (refRect.height - overlayRect.height) / 2;
+  return { top, left };
+}
+
+/**
+ * Space between the reference (plus offset) and the viewport edge on the
+ * given side, and the full viewport extent (minus padding) on the other axis.
+ */
+function computeAvailableSize(
+  side: NgAutoPositionSide,
+  refRect: NgAutoPositionRect,
+  viewport: NgAutoPositionRect,
+  offset: number,
+  padding: number,
+): NgAutoPositionAvailableSize {
+  const fullWidth = viewport.width - padding * 2;
+  const fullHeight = viewport.height - padding * 2;
+
+  let width = fullWidth;
+  let height = fullHeight;
+
+  switch (side) {
+    case 'top':
+      height = refRect.top - offset - (viewport.top + padding);
+      break;
+    case 'bottom':
+      height =
+        viewport.top +
+        viewport.height -
+        padding -
+        (refRect.top + refRect.height + offset);
+      break;
+    case 'left':
+      width = refRect.left - offset - (viewport.left + padding);
+      break;
+    case 'right':
+      width =
+        viewport.left +
+        viewport.width -
+        padding -
+        (refRect.left + refRect.width + offset);
+      break;
+  }
+
+  // Never more than the viewport, never negative
+  return {
+    width: Math.max(0, Math.min(width, fullWidth)),
+    height: Math.max(0, Math.min(height, fullHeight)),
+  };
+}
+
+/**
+ * Arrow offset along the overlay edge facing the reference, centered on
+ * the visible part of the reference and clamped by the arrow padding.
+ */
+function computeArrowOffset(
+  side: NgAutoPositionSide,
+  refRect: NgAutoPositionRect,
+  viewport: NgAutoPositionRect,
+  overlayRect: NgAutoPositionRect,
+  arrow: { width: number; height: number },
+  padding: number,
+): number {
+  const vertical = side === 'top' || side === 'bottom';
+
+  // Center of the reference part that is inside the viewport
+  const center = vertical
+    ? (Math.max(refRect.left, viewport.left) +
+        Math.min(
+          refRect.left + refRect.width,
+          viewport.left + viewport.width,
+        )) /
+      2
+    : (Math.max(refRect.top, viewport.top) +
+        Math.min(
+          refRect.top + refRect.height,
+          viewport.top + viewport.height,
+        )) /
+      2;
+
+  const size = vertical ? arrow.width : arrow.height;
+  const length = vertical ? overlayRect.width : overlayRect.height;
+  const start = vertical ? overlayRect.left : overlayRect.top;
+
+  const max = Math.max(padding, length - size - padding);
+  return Math.min(Math.max(center - start - size / 2, padding), max);
+}
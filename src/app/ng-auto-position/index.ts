@@ -1 +1,6 @@
+export * from './compute-position';
+export * from './ng-auto-position-trigger.directive';
 export * from './ng-auto-position.directive';
+export * from './ng-auto-position.scheduler';
+export * from './ng-auto-position.service';
+export * from './virtual-reference';
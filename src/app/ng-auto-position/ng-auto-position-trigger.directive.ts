@@ -0,0 +1,306 @@
+import {
+  DestroyRef,
+  Directive,
+  ElementRef,
+  HostBinding,
+  HostListener,
+  inject,
+  input,
+  model,
+  signal,
+} from '@angular/core';
+import { Subscription, fromEvent, merge } from 'rxjs';
+import { filter } from 'rxjs/operators';
+
+let nextOverlayId = 0;
+
+/** Triggers with an attached overlay, innermost (latest) last */
+const attachedTriggers: NgAutoPositionTriggerDirective[] = [];
+
+const TABBABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+/**
+ * NgAutoPositionTriggerDirective
+ *
+ * Companion directive for the reference element that owns the open/close
+ * state of an overlay positioned with `ngAutoPosition`.
+ *
+ * - Two-way `[(open)]` state, toggled by clicking the trigger.
+ * - Closes on outside click, Escape and (optionally) when the reference
+ *   scrolls fully out of view. Escape only closes the innermost overlay.
+ * - Returns focus to the trigger on close and can trap focus in the overlay.
+ * - Wires `aria-expanded` / `aria-controls` on the trigger.
+ *
+ * The overlay registers itself through its `trigger` input:
+ *
+ *   <button ngAutoPositionTrigger #t="ngAutoPositionTrigger" [(open)]="open">
+ *   @if (open) { <div ngAutoPosition [trigger]="t">…</div> }
+ */
+@Directive({
+  selector: '[ngAutoPositionTrigger]',
+  standalone: true,
+  exportAs: 'ngAutoPositionTrigger',
+})
+export class NgAutoPositionTriggerDirective {
+  /** Native element reference for the trigger */
+  readonly elementRef = inject<ElementRef<HTMLElement>>(ElementRef);
+
+  /** Used to tear down document listeners on destroy */
+  private readonly destroyRef = inject(DestroyRef);
+
+  /** Open state of the overlay. Supports `[(open)]`. */
+  open = model<boolean>(false);
+
+  /** Toggle `open` when the trigger is clicked. Default: true */
+  toggleOnClick = input<boolean>(true);
+
+  /** Close when clicking outside the trigger and overlay. Default: true */
+  closeOnOutsideClick = input<boolean>(true);
+
+  /** Close when Escape is pressed. Default: true */
+  closeOnEscape = input<boolean>(true);
+
+  /** Close when the reference scrolls fully out of view. Default: false */
+  closeOnReferenceHidden = input<boolean>(false);
+
+  /** Return focus to the trigger when the overlay closes. Default: true */
+  restoreFocus = input<boolean>(true);
+
+  /**
+   * Focus the first focusable element of the overlay when it opens
+   * and keep Tab / Shift+Tab inside it (menus, dialogs).
+   *
+   * Default: false
+   */
+  trapFocus = input<boolean>(false);
+
+  @HostBinding('attr.aria-expanded')
+  get ariaExpanded(): 'true' | 'false' {
+    return this.open() ? 'true' : 'false';
+  }
+
+  @HostBinding('attr.aria-controls')
+  get ariaControls(): string | null {
+    return this.open() ? this.overlayId() : null;
+  }
+
+  /** Id of the attached overlay, for aria-controls */
+  private readonly overlayId = signal<string | null>(null);
+
+  /** Currently attached overlay element */
+  private overlay: HTMLElement | null = null;
+
+  /** Document / overlay listeners while an overlay is attached */
+  private listeners: Subscription | null = null;
+
+  /** Whether focus is inside the attached overlay */
+  private focusInside = false;
+
+  constructor() {
+    this.destroyRef.onDestroy(() => {
+      this.listeners?.unsubscribe();
+      this.removeFromAttached();
+    });
+  }
+
+  @HostListener('click')
+  onClick(): void {
+    if (this.toggleOnClick()) this.open.set(!this.open());
+  }
+
+  /**
+   * Registers the overlay element. Called by `ngAutoPosition`.
+   */
+  attach(overlay: HTMLElement): void {
+    this.listeners?.unsubscribe();
+    this.overlay = overlay;
+    this.focusInside = false;
+
+    // aria-controls needs an id
+    if (!overlay.id) overlay.id = `nap-overlay-${nextOverlayId++}`;
+    this.overlayId.set(overlay.id);
+
+    this.removeFromAttached();
+    attachedTriggers.push(this);
+
+    const trigger = this.elementRef.nativeElement;
+
+    const outsideClick$ = fromEvent<PointerEvent>(document, 'pointerdown', {
+      capture: true,
+    }).pipe(
+      filter((event) => {
+        const target = event.target as Node | null;
+        return (
+          this.closeOnOutsideClick() &&
+          !!target &&
+          !trigger.contains(target) &&
+          !overlay.contains(target)
+        );
+      }),
+    );
+
+    const escape$ = fromEvent<KeyboardEvent>(document, 'keydown').pipe(
+      filter(
+        (event) =>
+          event.key === 'Escape' && this.closeOnEscape() && this.isInnermost(),
+      ),
+    );
+
+    this.listeners = merge(outsideClick$, escape$).subscribe((event) =>
+      this.close(event instanceof KeyboardEvent),
+    );
+
+    this.listeners.add(
+      fromEvent<KeyboardEvent>(overlay, 'keydown')
+        .pipe(filter((event) => this.trapFocus() && event.key === 'Tab'))
+        .subscribe((event) => this.cycleFocus(event)),
+    );
+
+    // Angular removes the overlay before its destroy hooks run, so whether
+    // focus was inside has to be known while it is still in the DOM
+    this.listeners.add(
+      fromEvent<FocusEvent>(overlay, 'focusin').subscribe(
+        () => (this.focusInside = true),
+      ),
+    );
+    this.listeners.add(
+      fromEvent<FocusEvent>(overlay, 'focusout').subscribe((event) => {
+        const next = event.relatedTarget as Node | null;
+        if (next) {
+          this.focusInside = overlay.contains(next);
+          return;
+        }
+        // No target: focus went to <body> or the overlay is being removed.
+        // Check after the removal (and detach) has run.
+        queueMicrotask(() => {
+          if (this.overlay === overlay) {
+            this.focusInside = overlay.contains(document.activeElement);
+          }
+        });
+      }),
+    );
+  }
+
+  /**
+   * Called by `ngAutoPosition` once the overlay is first positioned.
+   * Moves focus into it when `trapFocus` is set.
+   */
+  onRevealed(overlay: HTMLElement): void {
+    if (!this.trapFocus() || this.overlay !== overlay) return;
+
+    // Hidden (and unfocusable) until the visibility binding is checked
+    setTimeout(() => {
+      if (this.overlay !== overlay) return;
+
+      const first = this.getTabbables()[0];
+      if (first) {
+        first.focus();
+      } else {
+        if (!overlay.hasAttribute('tabindex')) overlay.tabIndex = -1;
+        overlay.focus();
+      }
+    });
+  }
+
+  /**
+   * Unregisters the overlay element. Called by `ngAutoPosition` on destroy
+   * (with `@if` the element has already left the DOM at that point) and
+   * when the overlay moves to another trigger.
+   */
+  detach(overlay: HTMLElement): void {
+    if (this.overlay !== overlay) return;
+
+    // Focus falls back to <body> with the removed overlay
+    if (this.restoreFocus() && this.focusInside && !overlay.isConnected) {
+      this.elementRef.nativeElement.focus();
+    }
+
+    this.listeners?.unsubscribe();
+    this.listeners = null;
+    this.overlay = null;
+    this.overlayId.set(null);
+    this.focusInside = false;
+    this.removeFromAttached();
+  }
+
+  /**
+   * Called by `ngAutoPosition` when the reference is fully out of view.
+   * May run during change detection (first position), so the close is
+   * deferred to a microtask.
+   */
+  onReferenceHidden(): void {
+    if (!this.closeOnReferenceHidden()) return;
+    queueMicrotask(() => this.close(false));
+  }
+
+  /**
+   * Closes the overlay, optionally moving focus back to the trigger.
+   */
+  close(focusTrigger = true): void {
+    if (!this.open()) return;
+    this.open.set(false);
+
+    if (focusTrigger && this.restoreFocus()) {
+      this.elementRef.nativeElement.focus();
+    }
+  }
+
+  /**
+   * True when no overlay attached later (e.g. a nested menu) also closes
+   * on Escape, so one Escape closes one overlay.
+   */
+  private isInnermost(): boolean {
+    const handlers = attachedTriggers.filter((trigger) =>
+      trigger.closeOnEscape(),
+    );
+    return handlers[handlers.length - 1] === this;
+  }
+
+  private removeFromAttached(): void {
+    const index = attachedTriggers.indexOf(this);
+    if (index !== -1) attachedTriggers.splice(index, 1);
+  }
+
+  /**
+   * Keeps Tab / Shift+Tab inside the overlay.
+   */
+  private cycleFocus(event: KeyboardEvent): void {
+    const tabbables = this.getTabbables();
+    if (!tabbables.length) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = tabbables[0];
+    const last = tabbables[tabbables.length - 1];
+    const active = document.activeElement;
+
+    if (event.shiftKey && (active === first || active === this.overlay)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Visible, focusable elements inside the overlay in DOM order.
+   */
+  private getTabbables(): HTMLElement[] {
+    if (!this.overlay) return [];
+
+    return Array.from(
+      this.overlay.querySelectorAll<HTMLElement>(TABBABLE_SELECTOR),
+    ).filter((el) => el.getClientRects().length > 0);
+  }
+}
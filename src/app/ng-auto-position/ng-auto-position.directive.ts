@@ -5,13 +5,35 @@ import {
   ElementRef,
   EventEmitter,
   HostBinding,
+  Injector,
   Output,
+  effect,
   inject,
   input,
+  untracked,
 } from '@angular/core';
-import { fromEvent, merge } from 'rxjs';
-import { debounceTime } from 'rxjs/operators';
-import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
+import {
+  NgAutoPositionAvailableSize,
+  NgAutoPositionPlacement,
+  NgAutoPositionResolvedPlacement,
+  NgAutoPositionResult,
+} from './compute-position';
+import {
+  NgAutoPositionBoundary,
+  NgAutoPositionElementOptions,
+  NgAutoPositionService,
+  NgAutoPositionWidthConstraint,
+} from './ng-auto-position.service';
+import { NgAutoPositionTriggerDirective } from './ng-auto-position-trigger.directive';
+import { teleport } from './portal';
+import { lockScroll } from './scroll-lock';
+import {
+  NgAutoPositionPoint,
+  NgAutoPositionReference,
+  NgAutoPositionVirtualElement,
+  createPointReference,
+  isPoint,
+} from './virtual-reference';
 
 /**
  * AutoPositionElementDirective
@@ -24,6 +46,9 @@ import { takeUntilDestroyed } from '@angular/core/rxjs-interop';
  * - Uses getBoundingClientRect() for all measurements.
  * - Avoids DOM depth assumptions (npm-safe).
  * - Uses ResizeObserver to react to size changes.
+ * - Delegates measuring and math to NgAutoPositionService.
+ * - Shares listeners and batches updates per animation frame
+ *   (NgAutoPositionScheduler).
  */
 @Directive({
   selector: '[ngAutoPosition]',
@@ -33,21 +58,42 @@ export class NgAutoPositionElementDirective implements AfterViewInit {
   /** Native element reference for the overlay */
   private readonly el = inject(ElementRef<HTMLElement>);
 
-  /** Used by Angular to auto-clean RxJS subscriptions */
+  /** Used to release scroll locks and tracking on destroy */
   private readonly destroyRef = inject(DestroyRef);
 
+  /** Measuring, math and auto-update tracking */
+  private readonly positioner = inject(NgAutoPositionService);
+
+  /** Ties the reference effect to this directive's lifetime */
+  private readonly injector = inject(Injector);
+
   /**
    * Direct reference to the anchor element.
+   * Also accepts a virtual reference (any object with
+   * getBoundingClientRect()) or a `{ x, y }` viewport point.
    * If provided, this takes priority over referenceElementId.
    */
-  referenceElement = input<HTMLElement | ElementRef<HTMLElement> | null>(null);
+  referenceElement = input<
+    | HTMLElement
+    | ElementRef<HTMLElement>
+    | NgAutoPositionVirtualElement
+    | NgAutoPositionPoint
+    | null
+  >(null);
 
   /**
    * ID of the reference element.
-   * If not provided, parentElement is used.
+   * If not provided, the trigger or parentElement is used.
    */
   referenceElementId = input<string | null>(null);
 
+  /**
+   * Trigger directive that owns the open state of this overlay.
+   * Enables outside-click / Escape dismissal, focus handling and
+   * aria wiring. Its host is the default reference element.
+   */
+  trigger = input<NgAutoPositionTriggerDirective | null>(null);
+
   /** Debounce time for scroll / resize events (ms) */
   debounceMs = input<number>(0);
 
@@ -57,16 +103,71 @@ export class NgAutoPositionElementDirective implements AfterViewInit {
   /** Match overlay width to reference width */
   matchWidth = input<boolean>(false);
 
+  /** Minimum overlay width in px, or 'reference' for the reference width */
+  minWidth = input<NgAutoPositionWidthConstraint>(null);
+
+  /** Maximum overlay width in px, or 'reference' for the reference width */
+  maxWidth = input<NgAutoPositionWidthConstraint>(null);
+
+  /**
+   * Shrink the `scrollableSelector` container (or the overlay itself
+   * without one) to the available width and height on the chosen side.
+   * The overlay itself is not made scrollable when it has an arrow.
+   *
+   * Default: false
+   */
+  autoSize = input<boolean>(false);
+
   /**
    * Preferred placement.
-   * - 'auto' chooses top/bottom based on available space.
-   * - 'left'/'right' are explicit.
+   * - 'auto' chooses bottom-start/top-start based on available space.
+   * - A single placement (e.g. 'right-start') flips to the opposite
+   *   side when it does not fit (see `flip`).
+   * - A list (e.g. ['right-start', 'left-start', 'bottom']) is tried
+   *   in order until one fits the viewport.
+   */
+  placement = input<
+    'auto' | NgAutoPositionPlacement | NgAutoPositionPlacement[]
+  >('auto');
+
+  /**
+   * Flip a single placement to the opposite side when it does not fit.
+   * Has no effect when a placement list is given.
+   *
+   * Default: true
    */
-  placement = input<'auto' | 'top' | 'bottom' | 'left' | 'right'>('auto');
+  flip = input<boolean>(true);
 
   /** Minimum padding from the viewport edges when clamping. */
   viewportPadding = input<number>(4);
 
+  /**
+   * Clipping boundary used instead of the window viewport.
+   * - element / ElementRef: that element's box
+   * - selector: closest matching ancestor of the overlay, else first match
+   * - 'scrollParent': nearest scrollable ancestor of the reference
+   *
+   * The boundary is always intersected with the viewport.
+   * Default: null (window viewport)
+   */
+  boundary = input<NgAutoPositionBoundary>(null);
+
+  /**
+   * Moves the overlay to another host while it is alive, to escape
+   * ancestors that clip it or act as containing block for `fixed`
+   * (transform, filter, contain).
+   * - 'body': document.body
+   * - selector: first matching element
+   * - element / ElementRef: that element
+   *
+   * Angular removes the node from its new host when the view is
+   * destroyed; a `boundary` selector still resolves from the original
+   * position. Default: null (stay in place)
+   */
+  appendTo = input<
+    'body' | string | HTMLElement | ElementRef<HTMLElement> | null
+  >(null);
+
   /**
    * Listen to scroll events on scrollable parents of the reference element.
    * Useful for overlays inside scrollable containers (drawers, panels).
@@ -89,10 +190,19 @@ export class NgAutoPositionElementDirective implements AfterViewInit {
    */
   enableAutoReposition = input<boolean>(true);
 
+  /**
+   * Pause scroll / resize tracking while the reference is outside the
+   * viewport. Useful with many anchored overlays (data grids).
+   *
+   * Default: false
+   */
+  pauseWhenHidden = input<boolean>(false);
+
   /**
    * List of element IDs or class names
    * whose scrollbars should be hidden
    * while the popup is visible.
+   * Original overflow styles are restored on destroy.
    *
    * Examples:
    * ['body']
@@ -100,12 +210,34 @@ export class NgAutoPositionElementDirective implements AfterViewInit {
    */
   hideScrollTargets = input<string[] | null>(null);
 
+  /**
+   * Direct reference to an arrow/caret element inside the overlay.
+   * If provided, this takes priority over arrowSelector.
+   */
+  arrowElement = input<HTMLElement | ElementRef<HTMLElement> | null>(null);
+
+  /**
+   * Selector for an arrow/caret element inside the overlay.
+   * The arrow is placed on the edge facing the reference and centered
+   * on its visible part.
+   */
+  arrowSelector = input<string | null>(null);
+
+  /** Minimum distance between the arrow and the overlay corners (px) */
+  arrowPadding = input<number>(8);
+
   /**
    * Emits the final placement after each update.
    */
-  @Output() placementChange = new EventEmitter<
-    'top' | 'bottom' | 'left' | 'right'
-  >();
+  @Output() placementChange =
+    new EventEmitter<NgAutoPositionResolvedPlacement>();
+
+  /**
+   * Emits the available width / height on the chosen side when it changes.
+   * Also exposed as `--nap-available-width` / `--nap-available-height`.
+   */
+  @Output() availableSizeChange =
+    new EventEmitter<NgAutoPositionAvailableSize>();
 
   /**
    * Hide overlay until positioned to avoid flicker.
@@ -113,187 +245,193 @@ export class NgAutoPositionElementDirective implements AfterViewInit {
   @HostBinding('style.visibility')
   visibility: 'hidden' | 'visible' = 'hidden';
 
-  private lastPlacement: 'top' | 'bottom' | 'left' | 'right' | null = null;
+  private lastPlacement: NgAutoPositionResolvedPlacement | null = null;
+
+  private lastAvailableSize: NgAutoPositionAvailableSize | null = null;
+
+  /** Original parent, the last-resort reference (kept across teleporting) */
+  private parent: HTMLElement | null = null;
+
+  /** Arrow found by `arrowSelector`, looked up again only when it changes */
+  private arrow: { selector: string; element: HTMLElement | null } | null =
+    null;
+
+  constructor() {
+    // Dismissal, focus handling and aria wiring follow the current trigger
+    effect(
+      (onCleanup) => {
+        const trigger = this.trigger();
+        if (!trigger) return;
+
+        const overlay: HTMLElement = this.el.nativeElement;
+        untracked(() => trigger.attach(overlay));
+        onCleanup(() => trigger.detach(overlay));
+      },
+      { allowSignalWrites: true },
+    );
+  }
 
   ngAfterViewInit(): void {
     const overlay = this.el.nativeElement;
     overlay.style.position = 'fixed';
 
-    // ResizeObserver always useful (content changes)
-    const ro = new ResizeObserver(() => this.updatePosition());
-    ro.observe(overlay);
-
-    const reference = this.getReferenceElement(overlay);
-    if (reference) ro.observe(reference);
-
-    // Conditionally listen to scroll + resize (including scrollable parents)
-    if (this.enableAutoReposition()) {
-      const scrollParents =
-        reference && this.trackScrollParents()
-          ? this.getScrollableParents(reference)
-          : [];
-      const scrollStreams = scrollParents.map((target) =>
-        fromEvent(target, 'scroll'),
-      );
-
-      merge(fromEvent(window, 'scroll'), fromEvent(window, 'resize'), ...scrollStreams)
-        .pipe(
-          debounceTime(this.debounceMs()),
-          takeUntilDestroyed(this.destroyRef),
-        )
-        .subscribe(() => this.updatePosition());
+    // Lock background scrolling before measuring (scrollbars affect layout)
+    const scrollTargets = this.hideScrollTargets();
+    if (scrollTargets?.length) {
+      this.destroyRef.onDestroy(lockScroll(scrollTargets));
     }
 
-    this.updatePosition();
+    // Remember before teleporting (parentElement is the default reference)
+    this.parent = overlay.parentElement;
 
-    (this.destroyRef as any).onDestroy?.(() => ro.disconnect());
+    const host = this.getAppendToElement();
+    if (host) {
+      this.destroyRef.onDestroy(teleport(overlay, host));
+    }
+
+    // Restart tracking whenever the reference or tracking inputs change
+    effect(
+      (onCleanup) => {
+        const reference = this.getReferenceElement();
+        if (!reference) return;
+
+        // Read once per autoUpdate call
+        this.enableAutoReposition();
+        this.trackScrollParents();
+        this.debounceMs();
+        this.pauseWhenHidden();
+
+        const stop = untracked(() =>
+          this.positioner.autoUpdate(
+            reference,
+            overlay,
+            () => this.getOptions(overlay),
+            (result) => this.onPositioned(result),
+          ),
+        );
+        onCleanup(stop);
+      },
+      { injector: this.injector },
+    );
+
+    // Apply option changes now, not on the next scroll / resize
+    effect(
+      () => {
+        this.getOptions(overlay);
+        this.positioner.update(overlay);
+      },
+      { injector: this.injector },
+    );
   }
 
   /**
-   * Returns true if the reference element is completely outside viewport.
-   * Even 1px visible = considered visible.
+   * Collects the current input values as service options.
    */
-  private isReferenceFullyOut(refRect: DOMRect): boolean {
-    const vw = window.innerWidth;
-    const vh = window.innerHeight;
-
-    return (
-      refRect.bottom <= 0 || // above viewport
-      refRect.top >= vh || // below viewport
-      refRect.right <= 0 || // left of viewport
-      refRect.left >= vw // right of viewport
-    );
+  private getOptions(overlay: HTMLElement): NgAutoPositionElementOptions {
+    return {
+      placement: this.placement(),
+      flip: this.flip(),
+      offset: this.offset(),
+      padding: this.viewportPadding(),
+      boundary: this.boundary(),
+      matchWidth: this.matchWidth(),
+      minWidth: this.minWidth(),
+      maxWidth: this.maxWidth(),
+      autoSize: this.autoSize(),
+      scrollableSelector: this.scrollableSelector(),
+      arrowElement: this.getArrowElement(overlay),
+      arrowPadding: this.arrowPadding(),
+      debounceMs: this.debounceMs(),
+      trackScrollParents: this.trackScrollParents(),
+      enableAutoReposition: this.enableAutoReposition(),
+      pauseWhenHidden: this.pauseWhenHidden(),
+    };
   }
 
   /**
-   * Calculates and applies overlay position.
+   * Emits placement changes and reveals the overlay. Called (inside the
+   * zone) only when placement, available size or reference visibility
+   * changed, and once when tracking starts.
    */
-  private updatePosition(): void {
-    const overlay = this.el.nativeElement;
-    const reference = this.getReferenceElement(overlay);
-    if (!reference) return;
-
-    const viewportW = window.innerWidth;
-    const viewportH = window.innerHeight;
-
-    const refRect = reference.getBoundingClientRect();
+  private onPositioned(result: NgAutoPositionResult): void {
+    if (result.referenceHidden) {
+      this.trigger()?.onReferenceHidden();
+    }
 
-    // Optionally match width
-    if (this.matchWidth()) {
-      overlay.style.width = `${refRect.width}px`;
+    if (this.lastPlacement !== result.placement) {
+      this.lastPlacement = result.placement;
+      this.placementChange.emit(result.placement);
     }
 
-    const overlayRect = overlay.getBoundingClientRect();
-
-    const spaceAbove = refRect.top;
-    const spaceBelow = viewportH - refRect.bottom;
-
-    let openOnTop =
-      overlayRect.height > spaceBelow && spaceAbove >= overlayRect.height;
-
-    // Placement override (user-specified preference)
-    const preferredPlacement = this.placement();
-    if (preferredPlacement === 'top') openOnTop = true;
-    if (preferredPlacement === 'bottom') openOnTop = false;
-
-    let top = refRect.top;
-    let left = refRect.left;
-    let finalPlacement: 'top' | 'bottom' | 'left' | 'right';
-
-    if (preferredPlacement === 'left' || preferredPlacement === 'right') {
-      finalPlacement = preferredPlacement;
-      left =
-        preferredPlacement === 'left'
-          ? refRect.left - overlayRect.width - this.offset()
-          : refRect.right + this.offset();
-      top = refRect.top;
-    } else {
-      finalPlacement = openOnTop ? 'top' : 'bottom';
-      top = openOnTop
-        ? refRect.top - overlayRect.height - this.offset()
-        : refRect.bottom + this.offset();
-      left = refRect.left;
+    const { availableWidth: width, availableHeight: height } = result;
+    if (
+      this.lastAvailableSize?.width !== width ||
+      this.lastAvailableSize?.height !== height
+    ) {
+      this.lastAvailableSize = { width, height };
+      this.availableSizeChange.emit(this.lastAvailableSize);
     }
 
-    const fullyOut = this.isReferenceFullyOut(refRect);
+    if (this.visibility === 'hidden') {
+      // visibility safe update
+      queueMicrotask(() => {
+        this.visibility = 'visible';
+      });
+      this.trigger()?.onRevealed(this.el.nativeElement);
+    }
+  }
 
-    if (!fullyOut) {
-      // ✅ NORMAL MODE (reference at least partially visible)
-      // Clamp to viewport
+  /**
+   * Resolves the `appendTo` host element.
+   */
+  private getAppendToElement(): HTMLElement | null {
+    const appendTo = this.appendTo();
+    if (!appendTo) return null;
 
-      const padding = Math.max(0, this.viewportPadding());
-      top = Math.min(top, viewportH - overlayRect.height - padding);
-      top = Math.max(top, padding);
-      left = Math.min(left, viewportW - overlayRect.width - padding);
-      left = Math.max(left, padding);
-    }
-    // else: ✅ FOLLOW MODE (reference fully out of viewport)
-    // do NOT clamp → let popup go offscreen naturally
-    // top & left stay relative to refRect
+    if (appendTo instanceof ElementRef) return appendTo.nativeElement;
+    if (appendTo instanceof HTMLElement) return appendTo;
 
-    overlay.style.top = `${top}px`;
-    overlay.style.left = `${left}px`;
+    return appendTo === 'body'
+      ? document.body
+      : document.querySelector<HTMLElement>(appendTo);
+  }
 
-    if (this.lastPlacement !== finalPlacement) {
-      this.lastPlacement = finalPlacement;
-      this.placementChange.emit(finalPlacement);
+  /**
+   * Resolves the arrow element inside the overlay.
+   */
+  private getArrowElement(overlay: HTMLElement): HTMLElement | null {
+    const directArrow = this.arrowElement();
+    if (directArrow) {
+      return directArrow instanceof ElementRef
+        ? directArrow.nativeElement
+        : directArrow;
     }
 
-    // Optional inner scroll container handling
-    if (this.scrollableSelector()) {
-      const inner = overlay.querySelector(
-        this.scrollableSelector()!,
-      ) as HTMLElement;
-      if (inner) {
-        const padding = Math.max(0, this.viewportPadding());
-        const maxSpace =
-          finalPlacement === 'left' || finalPlacement === 'right'
-            ? viewportH - padding * 2
-            : openOnTop
-              ? spaceAbove
-              : spaceBelow;
-        inner.style.maxHeight = `${Math.min(maxSpace - 10, viewportH * 0.9)}px`;
-        inner.style.overflowY = 'auto';
-      }
-    }
+    const selector = this.arrowSelector();
+    if (!selector) return null;
 
-    // visibility safe update
-    queueMicrotask(() => {
-      this.visibility = 'visible';
-    });
+    if (this.arrow?.selector !== selector) {
+      this.arrow = {
+        selector,
+        element: overlay.querySelector<HTMLElement>(selector),
+      };
+    }
+    return this.arrow.element;
   }
 
   /**
    * Resolves the reference element.
    */
-  private getReferenceElement(overlay: HTMLElement): HTMLElement | null {
+  private getReferenceElement(): NgAutoPositionReference | null {
     const directRef = this.referenceElement();
     if (directRef) {
-      return directRef instanceof ElementRef
-        ? directRef.nativeElement
-        : directRef;
+      if (directRef instanceof ElementRef) return directRef.nativeElement;
+      return isPoint(directRef) ? createPointReference(directRef) : directRef;
     }
 
     const id = this.referenceElementId();
-    return id ? document.getElementById(id) : overlay.parentElement;
-  }
-
-  /**
-   * Finds scrollable ancestors by checking overflow styles.
-   */
-  private getScrollableParents(element: HTMLElement): HTMLElement[] {
-    const scrollParents: HTMLElement[] = [];
-    let current = element.parentElement;
-
-    while (current && current !== document.body && current !== document.documentElement) {
-      const style = getComputedStyle(current);
-      const overflow = `${style.overflow} ${style.overflowY} ${style.overflowX}`;
-      if (/(auto|scroll|overlay)/.test(overflow)) {
-        scrollParents.push(current);
-      }
-      current = current.parentElement;
-    }
+    if (id) return document.getElementById(id);
 
-    return scrollParents;
+    return this.trigger()?.elementRef.nativeElement ?? this.parent;
   }
 }
@@ -0,0 +1,321 @@
+import { Injectable, NgZone, inject } from '@angular/core';
+
+/**
+ * One positioned overlay as seen by the scheduler.
+ * `read` may only measure, `write` may only change styles. `write` may
+ * return a callback that runs after all writes, inside the Angular zone.
+ */
+export interface NgAutoPositionTask {
+  read(): void;
+  write(): (() => void) | void;
+}
+
+/** What should trigger updates for a task. */
+export interface NgAutoPositionTrackOptions {
+  /** Elements whose size changes trigger an update. */
+  resizeTargets: HTMLElement[];
+
+  /**
+   * Scroll containers that trigger an update, or 'all' to update on any
+   * scroll in the document. The window is covered by `trackWindow`.
+   */
+  scrollTargets: HTMLElement[] | 'all';
+
+  /** Update on window scroll / resize. */
+  trackWindow: boolean;
+
+  /** Debounce time for scroll / resize events (ms). */
+  debounceMs: number;
+
+  /**
+   * Element whose visibility pauses tracking: while it is outside the
+   * viewport only resize / intersection changes cause (one) update.
+   */
+  pauseTarget: HTMLElement | null;
+}
+
+interface Registration {
+  task: NgAutoPositionTask;
+  options: NgAutoPositionTrackOptions;
+  hidden: boolean;
+  debounceTimer: ReturnType<typeof setTimeout> | null;
+}
+
+/**
+ * NgAutoPositionScheduler
+ *
+ * Shared update loop for all positioned overlays.
+ *
+ * - One document scroll listener (capture), one window resize listener,
+ *   one ResizeObserver and one IntersectionObserver for every instance.
+ * - Updates are coalesced into a single requestAnimationFrame pass that
+ *   runs every `read` first and every `write` after, so layout is
+ *   calculated once per frame instead of once per overlay.
+ * - Tracking starts with an update in the next frame, so overlays
+ *   created in the same change detection share one layout.
+ * - Runs outside the Angular zone. Callbacks returned by `write` are
+ *   run together in a single `NgZone.run`, so a frame triggers change
+ *   detection at most once, and only when a task asked for it.
+ */
+@Injectable({ providedIn: 'root' })
+export class NgAutoPositionScheduler {
+  private readonly ngZone = inject(NgZone);
+
+  private readonly registrations = new Set<Registration>();
+  private readonly byTask = new Map<NgAutoPositionTask, Registration>();
+
+  /** Scroll container → registrations listening to it */
+  private readonly scrollIndex = new Map<EventTarget, Set<Registration>>();
+
+  /** Observed element → registrations listening to its size / visibility */
+  private readonly resizeIndex = new Map<Element, Set<Registration>>();
+  private readonly pauseIndex = new Map<Element, Set<Registration>>();
+
+  private readonly dirty = new Set<Registration>();
+  private frame: number | null = null;
+  private flushing = false;
+
+  private resizeObserver: ResizeObserver | null = null;
+  private intersectionObserver: IntersectionObserver | null = null;
+  private removeWindowListeners: (() => void) | null = null;
+
+  /**
+   * Starts tracking a task. Returns a function that stops it.
+   */
+  track(
+    task: NgAutoPositionTask,
+    options: NgAutoPositionTrackOptions,
+  ): () => void {
+    const registration: Registration = {
+      task,
+      options,
+      hidden: false,
+      debounceTimer: null,
+    };
+
+    this.ngZone.runOutsideAngular(() => {
+      this.registrations.add(registration);
+      this.byTask.set(task, registration);
+      this.ensureWindowListeners();
+
+      for (const el of options.resizeTargets) {
+        this.addToIndex(this.resizeIndex, el, registration);
+        this.getResizeObserver().observe(el);
+      }
+
+      if (options.scrollTargets === 'all') {
+        this.addToIndex(this.scrollIndex, document, registration);
+      } else {
+        for (const el of options.scrollTargets) {
+          this.addToIndex(this.scrollIndex, el, registration);
+        }
+      }
+
+      if (options.pauseTarget) {
+        this.addToIndex(this.pauseIndex, options.pauseTarget, registration);
+        this.getIntersectionObserver().observe(options.pauseTarget);
+      }
+
+      this.markDirty(registration);
+    });
+
+    return () => this.untrack(registration);
+  }
+
+  /**
+   * Queues a tracked task for the next frame, e.g. after its options
+   * changed. Called during a `write`, it runs again in the same frame.
+   */
+  schedule(task: NgAutoPositionTask): void {
+    const registration = this.byTask.get(task);
+    if (registration) this.markDirty(registration);
+  }
+
+  private untrack(registration: Registration): void {
+    if (!this.registrations.delete(registration)) return;
+
+    this.byTask.delete(registration.task);
+    this.dirty.delete(registration);
+    if (registration.debounceTimer) clearTimeout(registration.debounceTimer);
+
+    const { resizeTargets, scrollTargets, pauseTarget } = registration.options;
+
+    for (const el of resizeTargets) {
+      if (this.removeFromIndex(this.resizeIndex, el, registration)) {
+        this.resizeObserver?.unobserve(el);
+      }
+    }
+
+    for (const target of scrollTargets === 'all' ? [document] : scrollTargets) {
+      this.removeFromIndex(this.scrollIndex, target, registration);
+    }
+
+    if (
+      pauseTarget &&
+      this.removeFromIndex(this.pauseIndex, pauseTarget, registration)
+    ) {
+      this.intersectionObserver?.unobserve(pauseTarget);
+    }
+
+    // Drop shared listeners once nothing is tracked
+    if (!this.registrations.size) {
+      this.removeWindowListeners?.();
+      this.removeWindowListeners = null;
+      if (this.frame !== null) cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Marks a registration for the next frame, honoring its debounce time.
+   */
+  private markDirty(registration: Registration, debounce = false): void {
+    const debounceMs = registration.options.debounceMs;
+
+    this.ngZone.runOutsideAngular(() => {
+      if (debounce && debounceMs > 0) {
+        if (registration.debounceTimer) {
+          clearTimeout(registration.debounceTimer);
+        }
+        registration.debounceTimer = setTimeout(() => {
+          registration.debounceTimer = null;
+          this.markDirty(registration);
+        }, debounceMs);
+        return;
+      }
+
+      this.dirty.add(registration);
+      if (!this.flushing) {
+        this.frame ??= requestAnimationFrame(() => this.flush());
+      }
+    });
+  }
+
+  /**
+   * Runs all queued tasks: every read first, then every write, then the
+   * callbacks returned by the writes in one zone re-entry. Tasks queued
+   * again by a write get one more read / write pass in the same frame.
+   */
+  private flush(): void {
+    this.frame = null;
+    this.flushing = true;
+
+    const callbacks: (() => void)[] = [];
+    for (let pass = 0; pass < 2 && this.dirty.size; pass++) {
+      const tasks = [...this.dirty].map((registration) => registration.task);
+      this.dirty.clear();
+
+      for (const task of tasks) task.read();
+      for (const task of tasks) {
+        const callback = task.write();
+        if (callback) callbacks.push(callback);
+      }
+    }
+
+    this.flushing = false;
+    if (this.dirty.size) {
+      this.frame = requestAnimationFrame(() => this.flush());
+    }
+
+    if (callbacks.length) {
+      this.ngZone.run(() => callbacks.forEach((callback) => callback()));
+    }
+  }
+
+  private onScroll(event: Event): void {
+    const target = event.target ?? document;
+
+    // Window scroll is dispatched on the document
+    if (target === document) {
+      for (const registration of this.registrations) {
+        if (registration.options.trackWindow) this.onEvent(registration);
+      }
+      return;
+    }
+
+    this.scrollIndex.get(target)?.forEach((r) => this.onEvent(r));
+    this.scrollIndex.get(document)?.forEach((r) => this.onEvent(r));
+  }
+
+  private onResize(): void {
+    for (const registration of this.registrations) {
+      if (registration.options.trackWindow) this.onEvent(registration);
+    }
+  }
+
+  /**
+   * Scroll / resize event for a registration; skipped while paused.
+   */
+  private onEvent(registration: Registration): void {
+    if (!registration.hidden) this.markDirty(registration, true);
+  }
+
+  private ensureWindowListeners(): void {
+    if (this.removeWindowListeners) return;
+
+    const onScroll = (event: Event) => this.onScroll(event);
+    const onResize = () => this.onResize();
+    const options: AddEventListenerOptions = { capture: true, passive: true };
+
+    document.addEventListener('scroll', onScroll, options);
+    window.addEventListener('resize', onResize, { passive: true });
+
+    this.removeWindowListeners = () => {
+      document.removeEventListener('scroll', onScroll, options);
+      window.removeEventListener('resize', onResize);
+    };
+  }
+
+  private getResizeObserver(): ResizeObserver {
+    this.resizeObserver ??= new ResizeObserver((entries) => {
+      for (const entry of entries) {
+        this.resizeIndex
+          .get(entry.target)
+          ?.forEach((registration) => this.markDirty(registration));
+      }
+    });
+    return this.resizeObserver;
+  }
+
+  private getIntersectionObserver(): IntersectionObserver {
+    this.intersectionObserver ??= new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        this.pauseIndex.get(entry.target)?.forEach((registration) => {
+          registration.hidden = !entry.isIntersecting;
+          // One last update so the overlay follows its reference out
+          this.markDirty(registration);
+        });
+      }
+    });
+    return this.intersectionObserver;
+  }
+
+  private addToIndex<K>(
+    index: Map<K, Set<Registration>>,
+    key: K,
+    registration: Registration,
+  ): void {
+    let set = index.get(key);
+    if (!set) index.set(key, (set = new Set()));
+    set.add(registration);
+  }
+
+  /**
+   * Removes the registration; returns true when the key has no
+   * registrations left.
+   */
+  private removeFromIndex<K>(
+    index: Map<K, Set<Registration>>,
+    key: K,
+    registration: Registration,
+  ): boolean {
+    const set = index.get(key);
+    if (!set) return false;
+
+    set.delete(registration);
+    if (set.size) return false;
+
+    index.delete(key);
+    return true;
+  }
+}
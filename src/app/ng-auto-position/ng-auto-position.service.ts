@@ -0,0 +1,656 @@
+import { ElementRef, Injectable, inject } from '@angular/core';
+import {
+  NgAutoPositionOptions,
+  NgAutoPositionRect,
+  NgAutoPositionResult,
+  computePosition,
+  getOppositeSide,
+  getSide,
+} from './compute-position';
+import {
+  NgAutoPositionScheduler,
+  NgAutoPositionTask,
+} from './ng-auto-position.scheduler';
+import {
+  getContainingBlockOffset,
+  getFixedContainingBlock,
+  getOriginalParent,
+} from './portal';
+import {
+  NgAutoPositionReference,
+  getContextElement,
+} from './virtual-reference';
+
+/** Clipping boundary accepted by the service and the directive. */
+export type NgAutoPositionBoundary =
+  | HTMLElement
+  | ElementRef<HTMLElement>
+  | 'scrollParent'
+  | string
+  | null;
+
+/** Width constraint in px, or 'reference' for the reference width. */
+export type NgAutoPositionWidthConstraint = number | 'reference' | null;
+
+/** Options for positioning real DOM elements. */
+export interface NgAutoPositionElementOptions extends NgAutoPositionOptions {
+  /**
+   * Clipping boundary used instead of the window viewport.
+   * See `NgAutoPositionElementDirective.boundary`.
+   */
+  boundary?: NgAutoPositionBoundary;
+
+  /** Match overlay width to reference width. Default: false */
+  matchWidth?: boolean;
+
+  /** Minimum overlay width in px, or 'reference' for the reference width. */
+  minWidth?: NgAutoPositionWidthConstraint;
+
+  /** Maximum overlay width in px, or 'reference' for the reference width. */
+  maxWidth?: NgAutoPositionWidthConstraint;
+
+  /**
+   * Shrink the scroll container (or the overlay itself without one) to the
+   * available width and height on the chosen side. The overlay itself only
+   * gets `overflow: auto` without an arrow. Default: false
+   */
+  autoSize?: boolean;
+
+  /** Inner scrollable content whose max-height is auto-calculated. */
+  scrollableSelector?: string | null;
+
+  /** Arrow/caret element inside the overlay. */
+  arrowElement?: HTMLElement | null;
+
+  /** Debounce time for scroll / resize events (ms). Default: 0 */
+  debounceMs?: number;
+
+  /** Listen to scroll events on scrollable parents. Default: true */
+  trackScrollParents?: boolean;
+
+  /** Reposition on window scroll and resize. Default: true */
+  enableAutoReposition?: boolean;
+
+  /**
+   * Pause scroll / resize tracking while the reference is outside the
+   * viewport (IntersectionObserver). Default: false
+   */
+  pauseWhenHidden?: boolean;
+}
+
+/** Inline width styles set by matchWidth / minWidth / maxWidth. */
+type ConstraintProperty = 'width' | 'minWidth' | 'maxWidth';
+
+/** Elements an overlay's size / overflow styles were applied to. */
+interface SizedElements {
+  inner: HTMLElement | null;
+  autoSized: HTMLElement | null;
+}
+
+/** Elements resolved from the options, reused across updates. */
+interface ResolvedElements {
+  boundary: HTMLElement | null;
+  inner: HTMLElement | null;
+  containingBlock: HTMLElement | null;
+}
+
+/** Measurements for one update, taken in the read pass. */
+interface PositionFrame {
+  options: NgAutoPositionElementOptions;
+  result: NgAutoPositionResult;
+  referenceWidth: number;
+  origin: { top: number; left: number };
+  arrow: HTMLElement | null;
+  arrowSize: { width: number; height: number } | null;
+  inner: HTMLElement | null;
+  chromeW: number;
+  chromeH: number;
+}
+
+/**
+ * NgAutoPositionService
+ *
+ * Imperative positioning for overlays that are not driven by the
+ * directive (services, dynamically created components, dialogs).
+ * Measures elements and applies the result of `computePosition`.
+ */
+@Injectable({ providedIn: 'root' })
+export class NgAutoPositionService {
+  /** Shared listeners and frame-batched updates */
+  private readonly scheduler = inject(NgAutoPositionScheduler);
+
+  /** Overlay → elements sized in its last update, to clear them later */
+  private readonly sized = new WeakMap<HTMLElement, SizedElements>();
+
+  /** Overlay → width constraints applied in its last update */
+  private readonly constrained = new WeakMap<
+    HTMLElement,
+    Set<ConstraintProperty>
+  >();
+
+  /** Overlay → its `autoUpdate` task */
+  private readonly tasks = new WeakMap<HTMLElement, NgAutoPositionTask>();
+
+  /**
+   * Measures, calculates and applies the overlay position once.
+   */
+  position(
+    reference: NgAutoPositionReference,
+    overlay: HTMLElement,
+    options: NgAutoPositionElementOptions = {},
+  ): NgAutoPositionResult {
+    return this.positionNow(reference, overlay, options).result;
+  }
+
+  /**
+   * Positions the overlay and keeps it positioned on content resize,
+   * window scroll / resize and scrolling of the reference's scroll parents.
+   * Virtual references are tracked through their `contextElement`; without
+   * one, any scroll in the document triggers an update.
+   *
+   * Updates, including the first one, go through the shared
+   * `NgAutoPositionScheduler` (one frame, outside the Angular zone), so
+   * many overlays created at once are measured in a single layout. Plain
+   * position changes are only written to the overlay; `onUpdate` runs on
+   * the first update and when the placement, available size or reference
+   * visibility changed, after the frame's writes and inside the zone (one
+   * re-entry per frame for all overlays).
+   *
+   * `options` may be a getter so that changing positioning options are
+   * picked up on every update; `update` applies them right away. The boundary, scroll container and containing block
+   * are resolved once and again only when their option changes. The
+   * tracking options (`enableAutoReposition`, `trackScrollParents`,
+   * `debounceMs`, `pauseWhenHidden`) are read once; call `autoUpdate`
+   * again to change them. Returns a function that stops all tracking.
+   */
+  autoUpdate(
+    reference: NgAutoPositionReference,
+    overlay: HTMLElement,
+    options:
+      | NgAutoPositionElementOptions
+      | (() => NgAutoPositionElementOptions) = {},
+    onUpdate?: (result: NgAutoPositionResult) => void,
+  ): () => void {
+    const getOptions = typeof options === 'function' ? options : () => options;
+    overlay.style.position = 'fixed';
+
+    // DOM lookups are not repeated on every frame
+    const getBoundary = memoize((boundary: NgAutoPositionBoundary) =>
+      this.getBoundaryElement(reference, overlay, boundary),
+    );
+    const getInner = memoize((selector: string | null) =>
+      this.getInnerElement(overlay, selector),
+    );
+    const containingBlock = getFixedContainingBlock(overlay);
+
+    let lastKey: string | null = null;
+    let lastNotifyKey: string | null = null;
+
+    let pending: PositionFrame | null = null;
+    const task: NgAutoPositionTask = {
+      read: () => {
+        const options = getOptions();
+        pending = this.measure(reference, overlay, options, {
+          boundary: getBoundary(options.boundary ?? null),
+          inner: getInner(options.scrollableSelector ?? null),
+          containingBlock,
+        });
+      },
+      write: () => {
+        const frame = pending;
+        pending = null;
+        if (!frame) return;
+
+        // A new width changes the overlay size: measure again first
+        if (
+          this.applyConstraints(overlay, frame.referenceWidth, frame.options)
+        ) {
+          this.scheduler.schedule(task);
+          return;
+        }
+
+        // Skip overlays whose position did not change
+        const key = this.getFrameKey(frame);
+        if (key === lastKey) return;
+        lastKey = key;
+
+        this.apply(overlay, frame);
+
+        // Only changes callers react to are worth a zone re-entry
+        const notifyKey = this.getNotifyKey(frame.result);
+        if (!onUpdate || notifyKey === lastNotifyKey) return;
+        lastNotifyKey = notifyKey;
+        return () => onUpdate(frame.result);
+      },
+    };
+
+    const context = getContextElement(reference);
+    const {
+      enableAutoReposition,
+      trackScrollParents,
+      debounceMs,
+      pauseWhenHidden,
+    } = getOptions();
+    const autoReposition = enableAutoReposition !== false;
+
+    this.tasks.set(overlay, task);
+
+    // Conditionally listen to scroll + resize (including scrollable parents)
+    const untrack = this.scheduler.track(task, {
+      // ResizeObserver always useful (content changes)
+      resizeTargets: context ? [overlay, context] : [overlay],
+      scrollTargets: !autoReposition
+        ? []
+        : !context
+          ? 'all'
+          : trackScrollParents !== false
+            ? this.getScrollableParents(context)
+            : [],
+      trackWindow: autoReposition,
+      debounceMs: debounceMs ?? 0,
+      pauseTarget: pauseWhenHidden ? context : null,
+    });
+
+    return () => {
+      untrack();
+      if (this.tasks.get(overlay) === task) this.tasks.delete(overlay);
+    };
+  }
+
+  /**
+   * Queues an update for an overlay tracked by `autoUpdate`, e.g. after
+   * its options changed. Does nothing for untracked overlays.
+   */
+  update(overlay: HTMLElement): void {
+    const task = this.tasks.get(overlay);
+    if (task) this.scheduler.schedule(task);
+  }
+
+  /**
+   * Finds scrollable ancestors by checking overflow styles.
+   */
+  getScrollableParents(element: HTMLElement): HTMLElement[] {
+    const scrollParents: HTMLElement[] = [];
+    let current = element.parentElement;
+
+    while (
+      current &&
+      current !== document.body &&
+      current !== document.documentElement
+    ) {
+      const style = getComputedStyle(current);
+      const overflow = `${style.overflow} ${style.overflowY} ${style.overflowX}`;
+      if (/(auto|scroll|overlay)/.test(overflow)) {
+        scrollParents.push(current);
+      }
+      current = current.parentElement;
+    }
+
+    return scrollParents;
+  }
+
+  /**
+   * Resolves the clipping rectangle: the boundary element's client box
+   * intersected with the viewport, or the viewport itself.
+   */
+  getBoundaryRect(
+    reference: NgAutoPositionReference,
+    overlay: HTMLElement,
+    boundary: NgAutoPositionBoundary = null,
+  ): NgAutoPositionRect {
+    return this.clipToViewport(
+      this.getBoundaryElement(reference, overlay, boundary),
+    );
+  }
+
+  /**
+   * The element's client box intersected with the viewport, or the
+   * viewport itself.
+   */
+  private clipToViewport(element: HTMLElement | null): NgAutoPositionRect {
+    const viewport: NgAutoPositionRect = {
+      top: 0,
+      left: 0,
+      width: window.innerWidth,
+      height: window.innerHeight,
+    };
+
+    if (!element) return viewport;
+
+    // Client box excludes borders and scrollbars
+    const rect = element.getBoundingClientRect();
+    const left = rect.left + element.clientLeft;
+    const top = rect.top + element.clientTop;
+
+    const clippedTop = Math.max(top, viewport.top);
+    const clippedLeft = Math.max(left, viewport.left);
+    return {
+      top: clippedTop,
+      left: clippedLeft,
+      width: Math.min(left + element.clientWidth, viewport.width) - clippedLeft,
+      height: Math.min(top + element.clientHeight, viewport.height) - clippedTop,
+    };
+  }
+
+  /**
+   * Resolves the boundary element, or null for the window viewport.
+   * - element / ElementRef: that element
+   * - selector: closest matching ancestor of the overlay, else first match
+   * - 'scrollParent': nearest scrollable ancestor of the reference
+   *
+   * Ancestors are looked up from the overlay's original position, so a
+   * teleported overlay (`appendTo`) keeps its template boundary.
+   */
+  private getBoundaryElement(
+    reference: NgAutoPositionReference,
+    overlay: HTMLElement,
+    boundary: NgAutoPositionBoundary,
+  ): HTMLElement | null {
+    if (!boundary) return null;
+
+    if (boundary instanceof ElementRef) return boundary.nativeElement;
+    if (boundary instanceof HTMLElement) return boundary;
+
+    if (boundary === 'scrollParent') {
+      const context = getContextElement(reference);
+      return context ? (this.getScrollableParents(context)[0] ?? null) : null;
+    }
+
+    return (
+      getOriginalParent(overlay)?.closest<HTMLElement>(boundary) ??
+      document.querySelector<HTMLElement>(boundary)
+    );
+  }
+
+  /**
+   * Optional inner scroll container of the overlay.
+   */
+  private getInnerElement(
+    overlay: HTMLElement,
+    selector: string | null,
+  ): HTMLElement | null {
+    return selector ? overlay.querySelector<HTMLElement>(selector) : null;
+  }
+
+  /**
+   * Applies width constraints, then measures and applies in one go.
+   */
+  private positionNow(
+    reference: NgAutoPositionReference,
+    overlay: HTMLElement,
+    options: NgAutoPositionElementOptions,
+  ): PositionFrame {
+    overlay.style.position = 'fixed';
+
+    const referenceWidth = reference.getBoundingClientRect().width;
+    this.applyConstraints(overlay, referenceWidth, options);
+
+    const frame = this.measure(reference, overlay, options, {
+      boundary: this.getBoundaryElement(
+        reference,
+        overlay,
+        options.boundary ?? null,
+      ),
+      inner: this.getInnerElement(overlay, options.scrollableSelector ?? null),
+      containingBlock: getFixedContainingBlock(overlay),
+    });
+    this.apply(overlay, frame);
+    return frame;
+  }
+
+  /**
+   * Read pass: measures everything needed for an update. Never writes.
+   */
+  private measure(
+    reference: NgAutoPositionReference,
+    overlay: HTMLElement,
+    options: NgAutoPositionElementOptions,
+    elements: ResolvedElements,
+  ): PositionFrame {
+    const { inner } = elements;
+    const viewport = this.clipToViewport(elements.boundary);
+    const refRect = reference.getBoundingClientRect();
+    const overlayRect = overlay.getBoundingClientRect();
+
+    // offsetWidth/Height ignore transforms (e.g. a rotated square)
+    const arrow = options.arrowElement ?? null;
+    const arrowSize = arrow
+      ? { width: arrow.offsetWidth, height: arrow.offsetHeight }
+      : null;
+
+    const result = computePosition(refRect, overlayRect, viewport, {
+      ...options,
+      arrow: arrowSize,
+    });
+
+    return {
+      options,
+      result,
+      referenceWidth: refRect.width,
+      // A transformed / filtered ancestor shifts the origin of `fixed`
+      origin: getContainingBlockOffset(elements.containingBlock),
+      arrow,
+      arrowSize,
+      inner,
+      // Space taken by the overlay around the inner container (header, padding)
+      chromeW: inner ? overlayRect.width - inner.offsetWidth : 0,
+      chromeH: inner ? overlayRect.height - inner.offsetHeight : 0,
+    };
+  }
+
+  /**
+   * Write pass: applies a measured frame. Never reads layout.
+   */
+  private apply(overlay: HTMLElement, frame: PositionFrame): void {
+    const { options, result, origin, arrow, arrowSize, inner } = frame;
+
+    overlay.style.top = `${result.top - origin.top}px`;
+    overlay.style.left = `${result.left - origin.left}px`;
+
+    if (arrow && arrowSize && result.arrowOffset !== null) {
+      this.applyArrow(overlay, arrow, arrowSize, result);
+    }
+
+    overlay.style.setProperty(
+      '--nap-available-width',
+      `${result.availableWidth}px`,
+    );
+    overlay.style.setProperty(
+      '--nap-available-height',
+      `${result.availableHeight}px`,
+    );
+
+    const maxHeight = Math.max(0, result.availableHeight - frame.chromeH);
+    const autoSized = options.autoSize ? (inner ?? overlay) : null;
+
+    this.clearSized(overlay, frame, { inner, autoSized });
+
+    if (inner) {
+      inner.style.maxHeight = `${maxHeight}px`;
+      inner.style.overflowY = 'auto';
+    }
+
+    // Shrink the scroll container, or the overlay itself without one
+    if (autoSized) {
+      const maxWidth = this.resolveWidth(
+        options.maxWidth,
+        frame.referenceWidth,
+      );
+      const width = inner
+        ? result.availableWidth - frame.chromeW
+        : Math.min(result.availableWidth, maxWidth ?? Infinity);
+
+      autoSized.style.maxWidth = `${Math.max(0, width)}px`;
+      autoSized.style.maxHeight = `${maxHeight}px`;
+
+      // overflow would clip the arrow, which sits half outside the overlay
+      if (autoSized !== overlay || !arrow) autoSized.style.overflow = 'auto';
+    }
+  }
+
+  /**
+   * Removes size / overflow styles from elements that are no longer
+   * sized (autoSize or scrollableSelector switched off or changed).
+   */
+  private clearSized(
+    overlay: HTMLElement,
+    frame: PositionFrame,
+    next: SizedElements,
+  ): void {
+    const previous = this.sized.get(overlay);
+    this.sized.set(overlay, next);
+    if (!previous) return;
+
+    if (previous.inner && previous.inner !== next.inner) {
+      previous.inner.style.maxHeight = '';
+      previous.inner.style.overflowY = '';
+    }
+
+    if (previous.autoSized && previous.autoSized !== next.autoSized) {
+      previous.autoSized.style.maxWidth = '';
+      previous.autoSized.style.maxHeight = '';
+      previous.autoSized.style.overflow = '';
+
+      // Give the overlay its own maxWidth constraint back
+      if (previous.autoSized === overlay) {
+        this.applyConstraints(overlay, frame.referenceWidth, frame.options);
+      }
+    }
+  }
+
+  /**
+   * Applies matchWidth / minWidth / maxWidth and clears the ones that
+   * were unset since the last update. Only touches styles that changed,
+   * so unchanged overlays do not invalidate layout. Returns true when a
+   * style changed.
+   */
+  private applyConstraints(
+    overlay: HTMLElement,
+    referenceWidth: number,
+    options: NgAutoPositionElementOptions,
+  ): boolean {
+    let changed = false;
+    const applied = new Set<ConstraintProperty>();
+    const setIfChanged = (property: ConstraintProperty, px: number | null) => {
+      if (px === null) return;
+      applied.add(property);
+
+      const value = `${px}px`;
+      if (overlay.style[property] !== value) {
+        overlay.style[property] = value;
+        changed = true;
+      }
+    };
+
+    // Optionally match width
+    if (options.matchWidth) setIfChanged('width', referenceWidth);
+
+    setIfChanged(
+      'minWidth',
+      this.resolveWidth(options.minWidth, referenceWidth),
+    );
+    // autoSize caps the width itself
+    if (!options.autoSize || options.scrollableSelector) {
+      setIfChanged(
+        'maxWidth',
+        this.resolveWidth(options.maxWidth, referenceWidth),
+      );
+    }
+
+    for (const property of this.constrained.get(overlay) ?? []) {
+      if (!applied.has(property)) {
+        overlay.style[property] = '';
+        changed = true;
+      }
+    }
+    this.constrained.set(overlay, applied);
+
+    return changed;
+  }
+
+  /**
+   * Serialized frame used to skip writes when nothing changed.
+   */
+  private getFrameKey(frame: PositionFrame): string {
+    return JSON.stringify([
+      frame.result,
+      frame.origin,
+      frame.arrowSize,
+      frame.chromeW,
+      frame.chromeH,
+      // Switching these off has to clear the styles they applied
+      !!frame.options.autoSize,
+      frame.options.scrollableSelector ?? null,
+    ]);
+  }
+
+  /**
+   * Serialized result parts that are reported through `onUpdate`.
+   */
+  private getNotifyKey(result: NgAutoPositionResult): string {
+    return JSON.stringify([
+      result.placement,
+      result.availableWidth,
+      result.availableHeight,
+      result.referenceHidden,
+    ]);
+  }
+
+  /**
+   * Resolves a width constraint to px, or null when unset.
+   */
+  private resolveWidth(
+    constraint: NgAutoPositionWidthConstraint | undefined,
+    referenceWidth: number,
+  ): number | null {
+    if (constraint === 'reference') return referenceWidth;
+    return typeof constraint === 'number' ? constraint : null;
+  }
+
+  /**
+   * Places the arrow on the overlay edge facing the reference and exposes
+   * its offset as `--nap-arrow-x` / `--nap-arrow-y`.
+   */
+  private applyArrow(
+    overlay: HTMLElement,
+    arrow: HTMLElement,
+    arrowSize: { width: number; height: number },
+    result: NgAutoPositionResult,
+  ): void {
+    const side = getSide(result.placement);
+    const vertical = side === 'top' || side === 'bottom';
+    const arrowOffset = result.arrowOffset;
+
+    arrow.style.position = 'absolute';
+    arrow.style.top = '';
+    arrow.style.bottom = '';
+    arrow.style.left = '';
+    arrow.style.right = '';
+
+    // Half of the arrow sticks out of the edge facing the reference
+    const staticSide = getOppositeSide(side);
+    arrow.style[staticSide] =
+      `${-(vertical ? arrowSize.height : arrowSize.width) / 2}px`;
+
+    if (vertical) {
+      arrow.style.left = `${arrowOffset}px`;
+      overlay.style.setProperty('--nap-arrow-x', `${arrowOffset}px`);
+      overlay.style.removeProperty('--nap-arrow-y');
+    } else {
+      arrow.style.top = `${arrowOffset}px`;
+      overlay.style.setProperty('--nap-arrow-y', `${arrowOffset}px`);
+      overlay.style.removeProperty('--nap-arrow-x');
+    }
+  }
+}
+
+/**
+ * Caches `resolve` for the last argument it was called with.
+ */
+function memoize<T, R>(resolve: (value: T) => R): (value: T) => R {
+  let last: { value: T; result: R } | null = null;
+  return (value) => {
+    if (!last || last.value !== value) last = { value, result: resolve(value) };
+    return last.result;
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Moves an overlay node to another host (`appendTo`) while it is alive.
+ *
+ * Angular keeps updating the node wherever it lives, and emulated
+ * encapsulation attributes travel with it, so bindings and component
+ * styles keep working. A comment placeholder marks the original position.
+ */
+
+/** Teleported element → placeholder at its original position */
+const placeholders = new WeakMap<HTMLElement, Comment>();
+
+/**
+ * Moves the element to the target and returns a cleanup function.
+ *
+ * When its view is destroyed, Angular removes the node from wherever it
+ * lives before any destroy hook runs, so the cleanup usually only drops
+ * the placeholder. A node that is still connected is moved back.
+ */
+export function teleport(element: HTMLElement, target: HTMLElement): () => void {
+  const parent = element.parentNode;
+  if (!parent || parent === target) return () => {};
+
+  const placeholder = document.createComment('ng-auto-position');
+  parent.insertBefore(placeholder, element);
+  target.appendChild(element);
+  placeholders.set(element, placeholder);
+
+  return () => {
+    if (element.isConnected && placeholder.parentNode) {
+      placeholder.parentNode.insertBefore(element, placeholder);
+    }
+    placeholder.remove();
+    placeholders.delete(element);
+  };
+}
+
+/**
+ * Parent of the element at its original position, i.e. where it lives
+ * in the template even while teleported.
+ */
+export function getOriginalParent(element: HTMLElement): HTMLElement | null {
+  const placeholder = placeholders.get(element);
+  return placeholder ? placeholder.parentElement : element.parentElement;
+}
+
+/**
+ * Containing block of a `position: fixed` element, or null when it is
+ * the viewport.
+ *
+ * An ancestor with a transform (including `translate`, `rotate` and
+ * `scale`), filter, perspective, containment or a
+ * matching will-change makes `fixed` behave like `absolute` relative to
+ * that ancestor's padding box. Walks every ancestor's computed style, so
+ * resolve it once and measure it with `getContainingBlockOffset`.
+ */
+export function getFixedContainingBlock(
+  element: HTMLElement,
+): HTMLElement | null {
+  let current = element.parentElement;
+
+  while (current && current !== document.documentElement) {
+    if (isFixedContainingBlock(getComputedStyle(current))) return current;
+    current = current.parentElement;
+  }
+
+  return null;
+}
+
+/**
+ * Viewport offset of a containing block's padding box, or {0, 0} for
+ * the viewport (null).
+ */
+export function getContainingBlockOffset(block: HTMLElement | null): {
+  top: number;
+  left: number;
+} {
+  if (!block) return { top: 0, left: 0 };
+
+  const rect = block.getBoundingClientRect();
+  return {
+    top: rect.top + block.clientTop - block.scrollTop,
+    left: rect.left + block.clientLeft - block.scrollLeft,
+  };
+}
+
+function isFixedContainingBlock(style: CSSStyleDeclaration): boolean {
+  return (
+    style.transform !== 'none' ||
+    isSet(style.translate) ||
+    isSet(style.rotate) ||
+    isSet(style.scale) ||
+    style.perspective !== 'none' ||
+    style.filter !== 'none' ||
+    isSet(style.getPropertyValue('backdrop-filter')) ||
+    /(layout|paint|strict|content)/.test(style.contain) ||
+    /(transform|translate|rotate|scale|perspective|filter)/.test(
+      style.willChange,
+    ) ||
+    /(size|inline-size)/.test(style.getPropertyValue('container-type'))
+  );
+}
+
+/** Computed values read '' when the browser does not support the property */
+function isSet(value: string | undefined): boolean {
+  return !!value && value !== 'none';
+}
@@ -0,0 +1,109 @@
+/**
+ * Scroll locking for `hideScrollTargets`.
+ *
+ * Locks are reference-counted per element, so several overlays can lock
+ * the same target and the original styles are restored only when the
+ * last one releases it.
+ */
+
+interface ScrollLockEntry {
+  count: number;
+  // Longhands, since the shorthand reads '' when only one is set
+  overflowX: string;
+  overflowY: string;
+  paddingRight: string;
+}
+
+const locks = new Map<HTMLElement, ScrollLockEntry>();
+
+/**
+ * Resolves scroll lock targets.
+ * - 'body' → document.body
+ * - '.class' → every element with that class
+ * - anything else → element with that ID
+ */
+function resolveTargets(targets: string[]): HTMLElement[] {
+  const elements = new Set<HTMLElement>();
+
+  for (const target of targets) {
+    if (target === 'body') {
+      elements.add(document.body);
+    } else if (target.startsWith('.')) {
+      document
+        .querySelectorAll<HTMLElement>(target)
+        .forEach((el) => elements.add(el));
+    } else {
+      const el = document.getElementById(target);
+      if (el) elements.add(el);
+    }
+  }
+
+  return [...elements];
+}
+
+/**
+ * Width of the vertical scrollbar currently shown by the element.
+ */
+function getScrollbarWidth(el: HTMLElement): number {
+  if (el === document.body) {
+    return window.innerWidth - document.documentElement.clientWidth;
+  }
+
+  const style = getComputedStyle(el);
+  const borders =
+    parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth);
+  return Math.max(0, el.offsetWidth - el.clientWidth - borders);
+}
+
+function lockElement(el: HTMLElement): void {
+  const existing = locks.get(el);
+  if (existing) {
+    existing.count++;
+    return;
+  }
+
+  // Measure before hiding the scrollbar
+  const scrollbarWidth = getScrollbarWidth(el);
+  const computedPadding = parseFloat(getComputedStyle(el).paddingRight) || 0;
+
+  locks.set(el, {
+    count: 1,
+    overflowX: el.style.overflowX,
+    overflowY: el.style.overflowY,
+    paddingRight: el.style.paddingRight,
+  });
+
+  el.style.overflow = 'hidden';
+  if (scrollbarWidth > 0) {
+    // Compensate so content does not shift when the scrollbar disappears
+    el.style.paddingRight = `${computedPadding + scrollbarWidth}px`;
+  }
+}
+
+function unlockElement(el: HTMLElement): void {
+  const entry = locks.get(el);
+  if (!entry) return;
+
+  if (--entry.count > 0) return;
+
+  el.style.overflowX = entry.overflowX;
+  el.style.overflowY = entry.overflowY;
+  el.style.paddingRight = entry.paddingRight;
+  locks.delete(el);
+}
+
+/**
+ * Locks scrolling on the given targets.
+ * Returns a function that releases this lock.
+ */
+export function lockScroll(targets: string[]): () => void {
+  const elements = resolveTargets(targets);
+  elements.forEach(lockElement);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    elements.forEach(unlockElement);
+  };
+}
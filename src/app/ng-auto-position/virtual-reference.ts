@@ -0,0 +1,129 @@
+import { NgAutoPositionRect } from './compute-position';
+
+/**
+ * A reference that is not a DOM element (cursor, text selection,
+ * coordinates). Only needs to report its rectangle in viewport coordinates.
+ */
+export interface NgAutoPositionVirtualElement {
+  getBoundingClientRect(): NgAutoPositionRect;
+
+  /**
+   * Optional element the virtual reference lives in.
+   * Used for resize observing, scroll-parent tracking and `'scrollParent'`
+   * boundaries.
+   */
+  contextElement?: HTMLElement | null;
+}
+
+/** A point in viewport coordinates. */
+export interface NgAutoPositionPoint {
+  x: number;
+  y: number;
+}
+
+/** Anything the service can position against. */
+export type NgAutoPositionReference = HTMLElement | NgAutoPositionVirtualElement;
+
+/**
+ * Returns true for `{ x, y }` points (as opposed to elements and
+ * virtual elements).
+ */
+export function isPoint(value: unknown): value is NgAutoPositionPoint {
+  return (
+    typeof value === 'object' &&
+    value !== null &&
+    !('getBoundingClientRect' in value) &&
+    typeof (value as NgAutoPositionPoint).x === 'number' &&
+    typeof (value as NgAutoPositionPoint).y === 'number'
+  );
+}
+
+/**
+ * Returns the element to observe / walk up from for a reference,
+ * or null for a virtual reference without context.
+ */
+export function getContextElement(
+  reference: NgAutoPositionReference,
+): HTMLElement | null {
+  return reference instanceof HTMLElement
+    ? reference
+    : (reference.contextElement ?? null);
+}
+
+/**
+ * Creates a zero-size virtual reference at a fixed viewport point.
+ */
+export function createPointReference(
+  point: NgAutoPositionPoint,
+): NgAutoPositionVirtualElement {
+  return {
+    getBoundingClientRect: () => ({
+      top: point.y,
+      left: point.x,
+      width: 0,
+      height: 0,
+    }),
+  };
+}
+
+/**
+ * Creates a virtual reference at the mouse pointer (e.g. for context menus).
+ *
+ * The point is stored relative to the event target, so the reference
+ * moves with the target when the page or a container scrolls.
+ */
+export function createMouseEventReference(
+  event: MouseEvent,
+): NgAutoPositionVirtualElement {
+  const target = event.target;
+  if (!(target instanceof HTMLElement)) {
+    return createPointReference({ x: event.clientX, y: event.clientY });
+  }
+
+  const rect = target.getBoundingClientRect();
+  const dx = event.clientX - rect.left;
+  const dy = event.clientY - rect.top;
+
+  return {
+    contextElement: target,
+    getBoundingClientRect: () => {
+      const current = target.getBoundingClientRect();
+      return {
+        top: current.top + dy,
+        left: current.left + dx,
+        width: 0,
+        height: 0,
+      };
+    },
+  };
+}
+
+/**
+ * Creates a virtual reference around a text range or the first range
+ * of a selection (e.g. for selection toolbars).
+ *
+ * Selections are copied, so the reference stays on the selected text
+ * even if the selection changes later. Returns null for an empty or
+ * collapsed selection / range (a caret has no text to anchor to).
+ */
+export function createRangeReference(
+  source: Range | Selection,
+): NgAutoPositionVirtualElement | null {
+  let range: Range;
+  if (source instanceof Range) {
+    if (source.collapsed) return null;
+    range = source;
+  } else {
+    if (!source.rangeCount || source.isCollapsed) return null;
+    range = source.getRangeAt(0).cloneRange();
+  }
+
+  const container = range.commonAncestorContainer;
+  const contextElement =
+    container instanceof HTMLElement ? container : container.parentElement;
+
+  return {
+    contextElement,
+    getBoundingClientRect: () => range.getBoundingClientRect(),
+  };
+}
@@ -1 +1,6 @@
+export * from './app/ng-auto-position/compute-position';
+export * from './app/ng-auto-position/ng-auto-position-trigger.directive';
 export * from './app/ng-auto-position/ng-auto-position.directive';
+export * from './app/ng-auto-position/ng-auto-position.scheduler';
+export * from './app/ng-auto-position/ng-auto-position.service';
+export * from './app/ng-auto-position/virtual-reference';